@@ -0,0 +1,15 @@
+// jest.config.js
+const nextJest = require('next/jest')
+
+const createJestConfig = nextJest({
+  dir: './',
+})
+
+/** @type {import('jest').Config} */
+const customJestConfig = {
+  testMatch: ['<rootDir>/*_test.js'],
+  setupFilesAfterEnv: ['<rootDir>/_document.js_jest.setup.js'], // For React Testing Library setup
+  testEnvironment: 'jest-environment-jsdom',
+}
+
+module.exports = createJestConfig(customJestConfig)
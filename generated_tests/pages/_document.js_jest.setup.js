@@ -0,0 +1,2 @@
+// jest.setup.js
+import '@testing-library/jest-dom'